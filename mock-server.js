@@ -0,0 +1,300 @@
+/**
+ * Local mock of a DataDome-protected site, for testing app.js offline.
+ *
+ * - Site (documents + same-origin API) on http://127.0.0.1:<port>
+ * - Cross-origin API on http://127.0.0.1:<api-port> (same site, other origin)
+ * - Challenge pages on http://localhost:<port>, standing in for geo.captcha-delivery.com
+ *   (point app.js at it with --dd-challenge-origin localhost:<port>)
+ * - Behaviour keyed on the DD UA test codes of app.js (DD_UA_CODES):
+ *     • 403 + challenge page (document) or 403 + {"url": …} JSON (XHR/fetch)
+ *     • /interstitial (Device Check) and /captcha (t=fe CAPTCHA, t=bv Block) pages; Device Check and CAPTCHA
+ *       solve themselves after a short delay and hand out a new datadome cookie, Block never does
+ *     • datadome Set-Cookie rotated on every protected response
+ *     • HARDBLOCK_UA only blocks cross-origin XHR/fetch
+ *     • /redirect/ answers a Device Check with a 302 to the /interstitial page instead of the 403 page; solved
+ *       at the top level, the page goes back to the site with ?dd_cookie=<value>, which the site takes as its cookie
+ *
+ * Run: node mock-server.js [--port 8080] [--api-port 8081] [--cert cert.pem --key key.pem]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Challenge sequence per UA code (same as DD_UA_EXPECTED in app.js, checked by test/mock-server.test.js)
+const MOCK_SCENARIOS = {
+  'DeviceCheckTestUA-HARDBLOCK': ['Device Check', 'Block'],
+  'DeviceCheckTestUA-BLOCKUA': ['Device Check', 'CAPTCHA'],
+  'DeviceCheckTestUA': ['Device Check'],
+  'BLOCKUAHARDBLOCKUA': ['CAPTCHA', 'Block'],
+  'HARDBLOCK_UA': ['Block'],
+  'HARDBLOCK': ['Block'],
+  'BLOCKUA': ['CAPTCHA'],
+};
+const COOKIE_MAX_AGE = 365 * 24 * 3600;
+const SOLVE_DELAY_MS = 200;
+
+// ------------------------ Helpers ------------------------
+function uaCode(ua) {
+  const s = String(ua || '');
+  return Object.keys(MOCK_SCENARIOS).find(code => new RegExp(`(^|[\\s;(])${code.replace(/[-_]/g, '\\$&')}($|[\\s;)])`).test(s)) || null;
+}
+function readCookie(req, name) {
+  const m = String(req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return m ? m[1] : null;
+}
+function newCookieValue() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+// Document navigation (top level or iframe) vs. XHR/fetch: Fetch Metadata first, Accept as a fallback
+function isDocumentRequest(req) {
+  const dest = String(req.headers['sec-fetch-dest'] || '').toLowerCase();
+  if (dest) return dest === 'document' || dest === 'iframe';
+  return /text\/html/.test(String(req.headers.accept || ''));
+}
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', () => resolve(''));
+  });
+}
+function send(res, status, headers, body) {
+  res.writeHead(status, { 'cache-control': 'no-store', ...headers });
+  res.end(body);
+}
+
+// ------------------------ Pages ------------------------
+// Stands in for the DataDome JS tag: adds x-datadome-clientid, shows the challenge of a blocked call
+// and applies the cookie a solved challenge posts back.
+function tagScript() {
+  return `
+<script>
+  function ddClientId() { return (document.cookie.match(/(?:^|; )datadome=([^;]+)/) || [])[1] || ''; }
+  function ddShowChallenge(url) {
+    var f = document.createElement('iframe');
+    f.src = url; f.width = 400; f.height = 300;
+    document.body.appendChild(f);
+  }
+  window.addEventListener('message', function (e) {
+    if (!e.data || e.data.type !== 'dd-cookie') return;
+    document.cookie = e.data.cookie;
+    location.reload();
+  });
+</script>`;
+}
+
+function sitePage(apiOrigin) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Mock protected site</title></head>
+<body>
+<h1>Mock protected site</h1>
+<p id="calls"></p>
+${tagScript()}
+<script>
+  function call(url, opts) {
+    opts = opts || {};
+    opts.credentials = 'include';
+    opts.headers = Object.assign({ 'x-datadome-clientid': ddClientId() }, opts.headers || {});
+    return fetch(url, opts).then(function (r) {
+      document.getElementById('calls').textContent += r.status + ' ';
+      if (r.status !== 403) return;
+      return r.json().then(function (j) { if (j && j.url) ddShowChallenge(j.url); });
+    }).catch(function () {});
+  }
+  call('/api/ping');
+  call(${JSON.stringify(`${apiOrigin}/api/data`)}, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ q: 'mock' }) });
+</script>
+</body></html>`;
+}
+
+// What DataDome answers a blocked navigation with: inline dd={…} + the challenge iframe
+function blockedPage(challenge) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Blocked</title></head>
+<body>
+<script>var dd={'rt':'${challenge.rt}','cid':'${challenge.cid}','hsh':'${challenge.hash}','t':'${challenge.t}','s':17434,'e':'${challenge.e}','host':'${challenge.host}'};</script>
+${tagScript()}
+<iframe src="${escapeHtml(challenge.url)}" width="400" height="300"></iframe>
+</body></html>`;
+}
+
+function challengePage(kind, query) {
+  const solvable = !(kind === 'captcha' && query.get('t') === 'bv');
+  const title = kind === 'interstitial' ? 'Device Check' : solvable ? 'CAPTCHA' : 'Blocked';
+  const solve = !solvable ? '' : `
+<script>
+  setTimeout(function () {
+    fetch(${JSON.stringify(kind === 'interstitial' ? '/interstitial/' : '/captcha/check')}, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: 'cid=' + encodeURIComponent(${JSON.stringify(query.get('initialCid') || '')}),
+    }).then(function (r) { return r.json(); }).then(function (j) {
+      if (parent !== window) return parent.postMessage({ type: 'dd-cookie', cookie: j.cookie }, '*');
+      // Redirected here (no site page around): back to the blocked URL with the new value
+      var referer = ${JSON.stringify(query.get('referer') || '/')};
+      var value = j.cookie.slice('datadome='.length, j.cookie.indexOf(';'));
+      location.href = referer + (referer.indexOf('?') === -1 ? '?' : '&') + 'dd_cookie=' + encodeURIComponent(value);
+    });
+  }, ${SOLVE_DELAY_MS});
+</script>`;
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${title}</title></head>
+<body><p>${title}</p>${solve}</body></html>`;
+}
+
+// ------------------------ Server ------------------------
+/**
+ * Start the mock. Returns { siteUrl, apiUrl, challengeHost, close() }.
+ * `challengeHost` is what to pass to app.js --dd-challenge-origin.
+ */
+async function startMockServer({ port = 0, apiPort = 0, cert = null, key = null } = {}) {
+  const tls = cert && key ? { cert, key } : null;
+  const scheme = tls ? 'https' : 'http';
+  const clients = new Map(); // datadome value or client id => { cid, stage }
+  const urls = {};
+
+  // Every protected response hands out a new datadome value (the old ones stay valid)
+  function rotateCookie(client) {
+    const value = newCookieValue();
+    clients.set(value, client);
+    return `datadome=${value}; Max-Age=${COOKIE_MAX_AGE}; Path=/; SameSite=Lax`;
+  }
+  function clientFor(req, query) {
+    const current = readCookie(req, 'datadome') || query.get('dd_cookie');
+    if (current && clients.has(current)) return clients.get(current);
+    const client = { cid: newCookieValue().slice(0, 32), stage: 0 };
+    clients.set(client.cid, client);
+    return client;
+  }
+  function challengeFor(step, client, referer, cookieValue) {
+    const kind = step === 'Device Check' ? 'interstitial' : 'captcha';
+    const t = step === 'Block' ? 'bv' : 'fe';
+    const hash = '14D062F60A4BDE8CE8647DFC720349';
+    const e = crypto.createHash('sha1').update(client.cid).digest('hex').slice(0, 32);
+    const url = `${urls.challenge}/${kind}/?initialCid=${encodeURIComponent(client.cid)}&hash=${hash}&cid=${encodeURIComponent(cookieValue)}&t=${t}&referer=${encodeURIComponent(referer)}&s=17434&e=${e}`;
+    return { url, rt: kind === 'interstitial' ? 'i' : 'c', cid: client.cid, hash, t, e, host: new URL(urls.challenge).host };
+  }
+
+  // Site and cross-origin API: challenge according to the UA code, else serve the page / JSON
+  async function handleProtected(req, res, { crossOrigin, base }) {
+    const origin = req.headers.origin;
+    const cors = origin ? {
+      'access-control-allow-origin': origin,
+      'access-control-allow-credentials': 'true',
+      'access-control-allow-headers': 'content-type, x-datadome-clientid',
+      'access-control-allow-methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'access-control-expose-headers': 'x-datadome, x-dd-b',
+    } : {};
+    if (req.method === 'OPTIONS') return send(res, 204, cors, '');
+    if (req.method !== 'GET' && req.method !== 'HEAD') await readBody(req);
+
+    const { pathname: path, searchParams } = new URL(req.url, base);
+    const isDocument = isDocumentRequest(req);
+    const isPage = path === '/' || path === '/redirect/';
+    if (!isPage && !path.startsWith('/api/')) return send(res, 404, { 'content-type': 'text/plain' }, 'Not found');
+
+    const client = clientFor(req, searchParams);
+    const setCookie = rotateCookie(client);
+    const cookieValue = setCookie.slice('datadome='.length, setCookie.indexOf(';'));
+    const code = uaCode(req.headers['user-agent']);
+    const steps = code ? MOCK_SCENARIOS[code] : [];
+    const applies = code !== 'HARDBLOCK_UA' || (!isDocument && crossOrigin);
+    const headers = { ...cors, 'set-cookie': setCookie, 'x-datadome': 'protected' };
+
+    if (applies && client.stage < steps.length) {
+      const challenge = challengeFor(steps[client.stage], client, `${base}${req.url}`, cookieValue);
+      headers['x-dd-b'] = '1';
+      if (isDocument && path === '/redirect/' && steps[client.stage] === 'Device Check') {
+        return send(res, 302, { ...headers, location: challenge.url }, '');
+      }
+      if (isDocument) return send(res, 403, { ...headers, 'content-type': 'text/html; charset=utf-8' }, blockedPage(challenge));
+      return send(res, 403, { ...headers, 'content-type': 'application/json' }, JSON.stringify({ url: challenge.url }));
+    }
+    // A redirect hop and a dropped connection, for redirect chains and failed requests
+    if (path === '/api/redirect') return send(res, 302, { ...headers, location: '/api/ping' }, '');
+    if (path === '/api/reset') return req.socket.destroy();
+    if (isDocument && isPage) return send(res, 200, { ...headers, 'content-type': 'text/html; charset=utf-8' }, sitePage(urls.api));
+    return send(res, 200, { ...headers, 'content-type': 'application/json' }, JSON.stringify({ ok: true, method: req.method, path }));
+  }
+
+  // Challenge host: the pages, and the POST that marks the current challenge as solved
+  async function handleChallenge(req, res) {
+    const u = new URL(req.url, urls.challenge);
+    const kind = u.pathname.startsWith('/interstitial') ? 'interstitial' : u.pathname.startsWith('/captcha') ? 'captcha' : null;
+    if (!kind) return send(res, 404, { 'content-type': 'text/plain' }, 'Not found');
+    if (req.method === 'GET') return send(res, 200, { 'content-type': 'text/html; charset=utf-8' }, challengePage(kind, u.searchParams));
+    if (req.method !== 'POST') return send(res, 405, { 'content-type': 'text/plain' }, 'Method not allowed');
+
+    const cid = new URLSearchParams(await readBody(req)).get('cid');
+    const client = cid && clients.get(cid);
+    if (!client) return send(res, 400, { 'content-type': 'application/json' }, JSON.stringify({ error: 'unknown cid' }));
+    client.stage += 1;
+    const cookie = rotateCookie(client);
+    return send(res, 200, { 'content-type': 'application/json', 'set-cookie': cookie, 'x-datadome': 'protected' }, JSON.stringify({ cookie }));
+  }
+
+  const siteHandler = (req, res) => {
+    const host = String(req.headers.host || '').toLowerCase();
+    const run = host === new URL(urls.challenge).host ? handleChallenge(req, res) : handleProtected(req, res, { crossOrigin: false, base: urls.site });
+    run.catch(() => { try { send(res, 500, { 'content-type': 'text/plain' }, 'Mock error'); } catch {} });
+  };
+  const apiHandler = (req, res) => {
+    handleProtected(req, res, { crossOrigin: true, base: urls.api }).catch(() => { try { send(res, 500, { 'content-type': 'text/plain' }, 'Mock error'); } catch {} });
+  };
+  const create = (handler) => tls ? https.createServer(tls, handler) : http.createServer(handler);
+  const listen = (server, p) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(p, '127.0.0.1', () => resolve(server.address().port));
+  });
+
+  const site = create(siteHandler);
+  const api = create(apiHandler);
+  const sitePort = await listen(site, port);
+  const apiPortUsed = await listen(api, apiPort);
+  urls.site = `${scheme}://127.0.0.1:${sitePort}`;
+  urls.api = `${scheme}://127.0.0.1:${apiPortUsed}`;
+  urls.challenge = `${scheme}://localhost:${sitePort}`;
+
+  return {
+    siteUrl: `${urls.site}/`,
+    apiUrl: urls.api,
+    challengeHost: `localhost:${sitePort}`,
+    close: () => Promise.all([site, api].map(s => new Promise((resolve) => {
+      s.closeAllConnections?.();
+      s.close(() => resolve());
+    }))),
+  };
+}
+
+module.exports = { startMockServer, MOCK_SCENARIOS, uaCode };
+
+// ------------------------ CLI ------------------------
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const opt = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? undefined : args[i + 1];
+  };
+  const read = (file) => file ? fs.readFileSync(file) : null;
+  startMockServer({
+    port: Number(opt('port') || 8080),
+    apiPort: Number(opt('api-port') || 8081),
+    cert: read(opt('cert')),
+    key: read(opt('key')),
+  }).then((mock) => {
+    console.log(`Mock site:          ${mock.siteUrl}`);
+    console.log(`Cross-origin API:   ${mock.apiUrl}`);
+    console.log(`Challenge host:     ${mock.challengeHost}`);
+    console.log('');
+    console.log(`Try: node app.js --url ${mock.siteUrl} --ua dd:DeviceCheckTestUA --dd-challenge-origin ${mock.challengeHost} --finish auto`);
+  }).catch((err) => {
+    console.error(`Cannot start the mock server: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,190 @@
+// End-to-end: app.js against the local mock server, on every installed engine (no network needed)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startMockServer, MOCK_SCENARIOS } = require('../mock-server');
+
+const APP = path.resolve(__dirname, '..', 'app.js');
+const ENGINES = ['chromium', 'firefox', 'webkit'];
+const RUN_TIMEOUT_MS = 120000;
+
+// Engines whose browser binary is installed (npx playwright install); the others are skipped
+function installedEngines() {
+  let playwright;
+  try { playwright = require('playwright'); } catch { return new Set(); }
+  return new Set(ENGINES.filter((name) => {
+    try { return fs.existsSync(playwright[name].executablePath()); } catch { return false; }
+  }));
+}
+const installed = installedEngines();
+const skipReason = (engine) => installed.has(engine) ? false : `${engine} is not installed (npx playwright install ${engine})`;
+
+// node app.js … in its own working directory (sessions land in <cwd>/har); resolves with the exit code and output
+function runApp(args, cwd) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [APP, ...args], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', (d) => { output += d; });
+    child.stderr.on('data', (d) => { output += d; });
+    const timer = setTimeout(() => child.kill(), RUN_TIMEOUT_MS);
+    child.on('close', (code) => { clearTimeout(timer); resolve({ code, output }); });
+  });
+}
+function readSessionReport(cwd) {
+  const root = path.join(cwd, 'har');
+  const session = fs.readdirSync(root).find(d => fs.statSync(path.join(root, d)).isDirectory());
+  const file = fs.readdirSync(path.join(root, session)).find(f => f.endsWith('.report.json'));
+  return JSON.parse(fs.readFileSync(path.join(root, session, file), 'utf8'));
+}
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'dd-e2e-'));
+
+let mock;
+test.before(async () => { mock = await startMockServer(); });
+test.after(async () => { await mock.close(); });
+
+for (const engine of ENGINES) {
+  test(`${engine}: every DD UA code gets the challenge sequence it should`, { skip: skipReason(engine), timeout: 15 * RUN_TIMEOUT_MS }, async () => {
+    const cwd = tmpDir();
+    const { code, output } = await runApp(['batch', mock.siteUrl, '--ua-codes', 'all', '--browsers', engine, '--dd-challenge-origin', mock.challengeHost], cwd);
+    const file = fs.readdirSync(path.join(cwd, 'har')).find(f => f.endsWith('_batch.json'));
+    assert.ok(file, output);
+    const { cells } = JSON.parse(fs.readFileSync(path.join(cwd, 'har', file), 'utf8'));
+    assert.deepStrictEqual(cells.map(c => c.ddUAKey).sort(), Object.keys(MOCK_SCENARIOS).sort());
+    for (const c of cells) assert.strictEqual(c.status, 'match', `${c.ddUAKey}: ${c.verdict} (expected ${c.expected?.join(' → ')})`);
+    assert.strictEqual(code, 0, output);
+  });
+
+  test(`${engine}: capture of a clean visit, same-domain scope`, { skip: skipReason(engine), timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = tmpDir();
+    const { code, output } = await runApp([
+      '--url', mock.siteUrl, '--mode', 'get', '--browser', engine, '--headless', '--ua', 'default',
+      '--scope', 'same', '--finish', 'auto', '--dd-challenge-origin', mock.challengeHost,
+    ], cwd);
+    assert.strictEqual(code, 0, output);
+    const report = readSessionReport(cwd);
+    const site = new URL(mock.siteUrl).host;
+    assert.strictEqual(report.flow.verdict, 'Allowed (no challenge)');
+    assert.ok(report.requests.every(r => new URL(r.url).host === site), 'only same-domain requests are logged');
+    const doc = report.requests.find(r => r.resourceType === 'document');
+    assert.strictEqual(doc.status, 200);
+    assert.strictEqual(doc.ddSetCookiesParsed[0].name, 'datadome');
+    const ping = report.requests.find(r => r.url.endsWith('/api/ping'));
+    assert.ok(ping, 'same-origin fetch logged');
+    assert.ok(ping.ddClientId, 'x-datadome-clientid captured');
+    assert.ok(ping.ddReqCookie.startsWith('datadome='), 'datadome request cookie captured');
+  });
+
+  test(`${engine}: HARDBLOCK_UA blocks the cross-origin XHR only, cross-origin scope`, { skip: skipReason(engine), timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = tmpDir();
+    const { code, output } = await runApp([
+      '--url', mock.siteUrl, '--mode', 'get', '--browser', engine, '--headless', '--ua', 'dd:HARDBLOCK_UA',
+      '--scope', 'cross', '--finish', 'auto', '--dd-challenge-origin', mock.challengeHost,
+    ], cwd);
+    assert.strictEqual(code, 0, output);
+    const report = readSessionReport(cwd);
+    const site = new URL(mock.siteUrl).host;
+    assert.ok(!report.requests.some(r => new URL(r.url).host === site), 'same-domain requests are out of scope');
+    const blocked = report.requests.find(r => r.url.startsWith(mock.apiUrl));
+    assert.strictEqual(blocked.status, 403);
+    assert.ok(blocked.ddMarker);
+    const challenge = report.requests.find(r => new URL(r.url).host === mock.challengeHost);
+    assert.strictEqual(challenge.classification, 'CAPTCHA/BLOCK', 'challenge host always logged and classified');
+    assert.strictEqual(report.flow.verdict, 'Block');
+    assert.strictEqual(report.flow.expectation.status, 'match');
+  });
+
+  test(`${engine}: redirect chains, failed requests and timings are logged`, { skip: skipReason(engine), timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = tmpDir();
+    const journey = path.join(cwd, 'journey.json');
+    fs.writeFileSync(journey, JSON.stringify([{ evaluate: "fetch('/api/reset').catch(() => 'failed')", label: 'Dropped connection' }]));
+    const { code, output } = await runApp([
+      '--url', `${mock.siteUrl}api/redirect`, '--mode', 'get', '--browser', engine, '--headless', '--ua', 'default',
+      '--scope', 'same', '--finish', 'auto', '--dd-challenge-origin', mock.challengeHost, '--journey', journey,
+    ], cwd);
+    assert.strictEqual(code, 0, output);
+    const { requests } = readSessionReport(cwd);
+    const first = requests.find(r => r.url.endsWith('/api/redirect'));
+    const final = requests.find(r => r.url.endsWith('/api/ping'));
+    assert.strictEqual(first.status, 302);
+    assert.deepStrictEqual([first.redirectedTo, final.redirectedFrom], [final.idx, first.idx]);
+    assert.ok(final.timing && final.timing.ttfbMs !== null, 'timing captured');
+    const failed = requests.find(r => r.url.endsWith('/api/reset'));
+    assert.strictEqual(failed.status, 0);
+    assert.ok(failed.failure, 'error text captured');
+  });
+
+  test(`${engine}: live output prints requests and challenge notices before the final capture`, { skip: skipReason(engine), timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = tmpDir();
+    const { code, output } = await runApp([
+      '--url', mock.siteUrl, '--mode', 'get', '--browser', engine, '--headless', '--ua', 'dd:DeviceCheckTestUA',
+      '--scope', 'any', '--finish', 'auto', '--dd-challenge-origin', mock.challengeHost, '--live', 'compact',
+    ], cwd);
+    assert.strictEqual(code, 0, output);
+    const summaryAt = output.indexOf('📦 Full network capture');
+    const liveLine = output.search(/^ +\+\d+\.\d\ds 1\. DOCUMENT \(GET\) → .* \[\S+ 403\]/m);
+    const blockedAt = output.indexOf('⛔ Blocked by DataDome');
+    const noticeAt = output.indexOf('🧩 Device Check page shown');
+    assert.ok(liveLine !== -1 && liveLine < blockedAt, output);
+    assert.ok(blockedAt < noticeAt && noticeAt < summaryAt, output);
+  });
+
+  test(`${engine}: assertions give a pass/fail summary, JUnit XML and exit code 1`, { skip: skipReason(engine), timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = tmpDir();
+    const junit = path.join(cwd, 'junit.xml');
+    const { code, output } = await runApp([
+      '--url', mock.siteUrl, '--mode', 'get', '--browser', engine, '--headless', '--ua', 'dd:DeviceCheckTestUA',
+      '--scope', 'any', '--finish', 'auto', '--dd-challenge-origin', mock.challengeHost, '--junit', junit,
+      '--expect', 'challenge:Device Check',
+      '--expect', 'outcome:Passed',
+      '--expect', 'no-request:/captcha/',
+      '--expect', 'cookie:datadome sameSite=Lax domain=host-only',
+      '--expect', 'header:x-datadome-clientid type=xhr,fetch url=/api/',
+      '--expect', 'status:200', // the first document is the blocked one
+    ], cwd);
+    assert.strictEqual(code, 1, output);
+    const { assertions } = readSessionReport(cwd);
+    assert.deepStrictEqual(assertions.map(a => a.ok), [true, true, true, true, true, false], JSON.stringify(assertions, null, 2));
+    const xml = fs.readFileSync(junit, 'utf8');
+    assert.match(xml, /<testsuite [^>]*tests="6" failures="1"/);
+    assert.match(xml, /<testcase [^>]*name="first document request gets 200">\s*<failure /);
+  });
+
+  test(`${engine}: a PUT with a custom header, sent from the target origin`, { skip: skipReason(engine), timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = tmpDir();
+    const { code, output } = await runApp([
+      '--url', `${mock.siteUrl}api/items/1`, '--browser', engine, '--headless', '--ua', 'default',
+      '--scope', 'same', '--finish', 'auto', '--dd-challenge-origin', mock.challengeHost,
+      '--method', 'PUT', '--header', 'X-Test: 42', '--payload', '{"name":"mock"}',
+      '--expect', 'status:200 type=fetch method=PUT url=/api/items/1',
+      '--expect', 'header:x-test method=PUT value=42',
+      '--expect', 'header:content-type method=PUT value=application/json',
+    ], cwd);
+    assert.strictEqual(code, 0, output);
+    const { recap, assertions } = readSessionReport(cwd);
+    assert.deepStrictEqual(assertions.map(a => a.ok), [true, true, true], JSON.stringify(assertions, null, 2));
+    assert.deepStrictEqual([recap.request.method, recap.request.submit], ['PUT', 'origin']);
+  });
+
+  test(`${engine}: runCapture() from another script emits requests and challenges and resolves to the report`, { skip: skipReason(engine), timeout: RUN_TIMEOUT_MS }, async () => {
+    const { runCapture } = require('../app');
+    const cwd = tmpDir();
+    const seen = { request: [], challenge: [], blocked: [] };
+    const report = await runCapture({
+      url: mock.siteUrl, browser: engine, ua: 'dd:DeviceCheckTestUA', scope: 'any',
+      ddChallengeOrigin: mock.challengeHost, outDir: cwd,
+    })
+      .on('request', (r) => seen.request.push(r))
+      .on('challenge', (c) => seen.challenge.push(c.name))
+      .on('blocked', (b) => seen.blocked.push(b.request.idx));
+    assert.strictEqual(report.flow.expectation.status, 'match');
+    assert.deepStrictEqual(seen.request.map(r => r.idx).sort((a, b) => a - b), report.requests.map(r => r.idx));
+    assert.deepStrictEqual(seen.challenge, ['Device Check']);
+    assert.strictEqual(seen.blocked[0], report.requests.find(r => r.resourceType === 'document').idx);
+    assert.ok(report.cookies.some(c => c.name === 'datadome'), 'final cookie jar returned');
+    assert.ok(fs.existsSync(path.join(report.session, path.basename(report.recap.report))), 'session saved under outDir');
+    assert.strictEqual(path.dirname(report.session), cwd);
+  });
+}
@@ -0,0 +1,169 @@
+// Library API (require('../app')): helpers and offline analysis, no browser needed
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const APP = path.resolve(__dirname, '..', 'app.js');
+
+// playwright is a dependency: a load error must fail the suite, not skip it
+const lib = require('../app');
+
+const UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/123.0.0.0 Safari/537.36';
+
+test('requiring app.js runs nothing: no prompt, no output, the process exits', () => {
+  const res = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(APP)})`], { encoding: 'utf8', timeout: 10000 });
+  assert.strictEqual(res.status, 0, res.stderr);
+  assert.strictEqual(res.stdout + res.stderr, '');
+});
+
+test('classifyRequest: challenge pages, DataDome blocks and plain requests', () => {
+  assert.deepStrictEqual(lib.classifyRequest({ url: 'https://geo.captcha-delivery.com/interstitial/?initialCid=x', status: 200 }),
+    { classification: 'Device Check', challenge: 'Device Check', ddMarker: false, blocked: false });
+  assert.strictEqual(lib.classifyRequest({ url: 'https://geo.captcha-delivery.com/captcha/?t=fe' }).challenge, 'CAPTCHA');
+  assert.strictEqual(lib.classifyRequest({ url: 'https://geo.captcha-delivery.com/captcha/?t=bv' }).challenge, 'Block');
+  const blocked = lib.classifyRequest({
+    url: 'https://www.example.com/api/search', status: 403, resourceType: 'fetch',
+    responseHeaders: [{ name: 'x-datadome', value: 'protected' }],
+  });
+  assert.deepStrictEqual([blocked.classification, blocked.ddMarker, blocked.blocked], ['FETCH', true, true]);
+  assert.strictEqual(lib.classifyRequest({ url: 'https://www.example.com/', status: 403 }).blocked, false, 'a 403 without DataDome headers');
+  assert.throws(() => lib.classifyRequest({ url: 'not a url' }), { code: 'EUSAGE' });
+});
+
+test('ddChallengeOrigin only applies to the call that gives it', async () => {
+  const interstitial = { url: 'http://localhost:8080/interstitial/?initialCid=x', status: 200 };
+  assert.strictEqual(lib.classifyRequest({ ...interstitial, ddChallengeOrigin: 'localhost:8080' }).challenge, 'Device Check');
+  assert.strictEqual(lib.classifyRequest({ ...interstitial, ddChallengeOrigin: 'localhost:9999' }).challenge, null);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-lib-'));
+  const file = path.join(dir, 'mock.har');
+  fs.writeFileSync(file, JSON.stringify({ log: { version: '1.2', entries: [{
+    startedDateTime: '2026-01-01T00:00:00.000Z', time: 50,
+    request: { method: 'GET', url: interstitial.url, headers: [{ name: 'Sec-Fetch-Dest', value: 'document' }] },
+    response: { status: 200, headers: [], content: { mimeType: 'text/html' } },
+  }] } }));
+  const [withOrigin, without] = await Promise.all([lib.analyzeHar(file, { ddChallengeOrigin: 'localhost:8080' }), lib.analyzeHar(file)]);
+  assert.strictEqual(withOrigin.flow.verdict, 'Device Check');
+  assert.strictEqual(without.requests[0].classification, 'DOCUMENT');
+  assert.strictEqual(lib.classifyRequest(interstitial).classification, 'DOCUMENT', 'no process-wide leftover');
+});
+
+test('extractDataDome: sent cookie, client id, Set-Cookie and challenge parameters', () => {
+  const dd = lib.extractDataDome({
+    url: 'https://www.example.com/api/search',
+    requestHeaders: { Cookie: 'a=1; datadome=SENT123', 'X-DataDome-ClientID': 'CID456', 'User-Agent': UA },
+    // Playwright's response.headers() folds several Set-Cookie headers with newlines
+    responseHeaders: { 'set-cookie': 'datadome=NEW789; Domain=.example.com; Path=/; SameSite=Lax\nother=1; Path=/' },
+    body: '{"url":"https://geo.captcha-delivery.com/captcha/?initialCid=i&hash=h&cid=c&t=fe&s=17434"}',
+  });
+  assert.strictEqual(dd.cookie, 'SENT123');
+  assert.strictEqual(dd.clientId, 'CID456');
+  assert.deepStrictEqual(dd.setCookies.map(c => [c.name, c.value, c.domain, c.sameSite]), [['datadome', 'NEW789', '.example.com', 'Lax']]);
+  assert.strictEqual(dd.challenge.source, 'json');
+  assert.deepStrictEqual([dd.challenge.params.t, dd.challenge.params.s], ['fe', '17434']);
+  const empty = lib.extractDataDome({ url: 'https://www.example.com/' });
+  assert.deepStrictEqual(empty, { cookie: null, clientId: null, setCookies: [], challenge: null });
+});
+
+test('analyzeHar: requests, flow verdict and the DD UA code expectation from a HAR', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-lib-'));
+  const entry = (t, url, dest, status, reqHeaders, resHeaders) => ({
+    startedDateTime: `2026-01-01T00:00:0${t}.000Z`, time: 50,
+    request: { method: 'GET', url, headers: [{ name: 'Sec-Fetch-Dest', value: dest }, ...reqHeaders] },
+    response: { status, headers: resHeaders, content: { mimeType: 'text/html' } },
+  });
+  fs.writeFileSync(path.join(dir, 'session.har'), JSON.stringify({ log: {
+    version: '1.2', creator: { name: 'test', version: '1' }, entries: [
+      entry(0, 'https://www.example.com/', 'document', 403, [{ name: 'Cookie', value: 'datadome=OLD' }],
+        [{ name: 'x-datadome', value: 'protected' }, { name: 'set-cookie', value: 'datadome=NEW; Domain=.example.com; Path=/' }]),
+      entry(1, 'https://geo.captcha-delivery.com/captcha/?initialCid=x&t=fe', 'iframe', 200, [], []),
+      entry(2, 'https://api.other.com/data', 'empty', 200, [], []),
+    ],
+  } }));
+  // A session folder resolves to the one HAR inside it
+  const a = await lib.analyzeHar(dir, { ua: 'dd:BLOCKUA', scope: 'same' });
+  assert.strictEqual(a.baseUrl, 'https://www.example.com/');
+  assert.deepStrictEqual(a.requests.map(r => [r.idx, r.classification]), [[1, 'DOCUMENT'], [2, 'CAPTCHA/BLOCK']], 'other hosts are out of scope, the challenge host never is');
+  assert.strictEqual(a.flow.verdict, 'CAPTCHA');
+  assert.strictEqual(a.flow.expectation.status, 'match');
+  assert.deepStrictEqual(a.flow.links, [{ blocked: 1, challenge: 2 }]);
+  assert.strictEqual(a.assertions, null);
+  await assert.rejects(lib.analyzeHar(dir, { junit: 'x.xml' }), { code: 'EUSAGE' });
+});
+
+test('challenge flow: passed only once the challenge issued a cookie or the blocked URL succeeds', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-lib-'));
+  const harWith = (name, captchaSetCookie) => {
+    const file = path.join(dir, name);
+    const entry = (t, url, dest, status, resHeaders) => ({
+      startedDateTime: `2026-01-01T00:00:0${t}.000Z`, time: 50,
+      request: { method: 'GET', url, headers: [{ name: 'Sec-Fetch-Dest', value: dest }] },
+      response: { status, headers: resHeaders, content: { mimeType: 'text/html' } },
+    });
+    fs.writeFileSync(file, JSON.stringify({ log: { version: '1.2', entries: [
+      entry(0, 'https://www.example.com/', 'document', 403, [{ name: 'x-datadome', value: 'protected' }]),
+      entry(1, 'https://geo.captcha-delivery.com/captcha/?initialCid=x&t=fe', 'iframe', 200,
+        captchaSetCookie ? [{ name: 'set-cookie', value: 'datadome=SOLVED; Domain=.example.com; Path=/' }] : []),
+      // Unprotected request that succeeds while the CAPTCHA is still shown
+      entry(2, 'https://www.example.com/api/track', 'empty', 200, []),
+    ] } }));
+    return file;
+  };
+  assert.strictEqual((await lib.analyzeHar(harWith('unsolved.har', false))).flow.verdict, 'CAPTCHA');
+  assert.strictEqual((await lib.analyzeHar(harWith('solved.har', true))).flow.verdict, 'CAPTCHA → passed');
+});
+
+test('cookie timeline: stale datadome values are only flagged against cookies for the same host', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-lib-'));
+  const entry = (t, url, sent, setCookie) => ({
+    startedDateTime: `2026-01-01T00:00:0${t}.000Z`, time: 50,
+    request: { method: 'GET', url, headers: [{ name: 'Sec-Fetch-Dest', value: 'empty' }, ...(sent ? [{ name: 'Cookie', value: `datadome=${sent}` }] : [])] },
+    response: { status: 200, headers: setCookie ? [{ name: 'set-cookie', value: setCookie }] : [], content: { mimeType: 'application/json' } },
+  });
+  const file = path.join(dir, 'multi-host.har');
+  fs.writeFileSync(file, JSON.stringify({ log: { version: '1.2', pages: [{ title: 'https://www.example.com/' }], entries: [
+    entry(0, 'https://www.example.com/api/a', null, 'datadome=SITE1; Domain=.example.com; Path=/; SameSite=None; Secure'),
+    entry(1, 'https://api.other.com/b', null, 'datadome=OTHER; Domain=.other.com; Path=/; SameSite=None; Secure'),
+    // Still the right value for example.com, although other.com handed out a newer one
+    entry(2, 'https://www.example.com/api/c', 'SITE1', null),
+    entry(3, 'https://www.example.com/api/d', 'SITE1', 'datadome=SITE2; Domain=.example.com; Path=/; SameSite=None; Secure'),
+    entry(4, 'https://www.example.com/api/e', 'SITE1', null),
+  ] } }));
+  const { cookieTimeline } = await lib.analyzeHar(file);
+  const stale = cookieTimeline.issues.filter(i => /older datadome value/.test(i.message)).map(i => i.idx);
+  assert.deepStrictEqual(stale, [5]);
+});
+
+test('request bodies: cut at the body limit, marked truncated, fields decoded from the whole body', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-lib-'));
+  const boundary = 'XBOUNDARY';
+  const file = 'x'.repeat(5000);
+  const multipart = [
+    `--${boundary}\r\nContent-Disposition: form-data; name="upload"; filename="a.bin"\r\nContent-Type: application/octet-stream\r\n\r\n${file}\r\n`,
+    `--${boundary}\r\nContent-Disposition: form-data; name="note"\r\n\r\nafter the file\r\n`,
+    `--${boundary}--\r\n`,
+  ].join('');
+  const entry = (t, mimeType, text) => ({
+    startedDateTime: `2026-01-01T00:00:0${t}.000Z`, time: 50,
+    request: { method: 'POST', url: 'https://www.example.com/api/upload', headers: [{ name: 'Content-Type', value: mimeType }], postData: { mimeType, text } },
+    response: { status: 200, headers: [], content: { mimeType: 'application/json' } },
+  });
+  fs.writeFileSync(path.join(dir, 'bodies.har'), JSON.stringify({ log: { version: '1.2', entries: [
+    entry(0, `multipart/form-data; boundary=${boundary}`, multipart),
+    entry(1, 'application/x-www-form-urlencoded', `a=${'y'.repeat(3000)}&b=2`),
+  ] } }));
+  const { requests } = await lib.analyzeHar(path.join(dir, 'bodies.har'), { bodyLimit: 1000 });
+  const [mp, form] = requests;
+  assert.deepStrictEqual([mp.requestBodySize, mp.requestBodyTruncated], [Buffer.byteLength(multipart), true]);
+  assert.strictEqual(mp.requestBodyPreview.length, 1001);
+  assert.deepStrictEqual(mp.requestBody.fields.map(f => [f.name, f.size ?? f.value]), [['upload', 5000], ['note', 'after the file']]);
+  assert.deepStrictEqual(form.requestBody.fields.map(f => [f.name, f.value.length, !!f.truncated]), [['a', 1000, true], ['b', 1, false]]);
+});
+
+test('runCapture rejects what would need the terminal or is unknown', async () => {
+  await assert.rejects(lib.runCapture({ url: 'example.com', finish: 'manual' }), { code: 'EUSAGE' });
+  await assert.rejects(lib.runCapture({ url: 'example.com', colour: true }), { code: 'EUSAGE', message: /Unknown runCapture option "colour"/ });
+  await assert.rejects(lib.runCapture({}), { code: 'EUSAGE', message: /needs a url/ });
+});
@@ -0,0 +1,128 @@
+// Mock anti-bot server behaviour (no browser needed)
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockServer, MOCK_SCENARIOS, uaCode } = require('../mock-server');
+const lib = require('../app');
+
+const UA = (code) => `Mozilla/5.0 (Windows NT 10.0; Win64; x64) ${code} Chrome/123.0.0.0 Safari/537.36`;
+const DOC = { 'sec-fetch-dest': 'document' };
+const XHR = { 'sec-fetch-dest': 'empty' };
+
+let mock;
+test.before(async () => { mock = await startMockServer(); });
+test.after(async () => { await mock.close(); });
+
+function cookieOf(res) {
+  return (res.headers.get('set-cookie') || '').split(';')[0];
+}
+function challengeUrl(html) {
+  return html.match(/<iframe src="([^"]+)"/)[1].replace(/&amp;/g, '&');
+}
+async function solve(url) {
+  const u = new URL(url);
+  const endpoint = u.pathname.startsWith('/interstitial') ? '/interstitial/' : '/captcha/check';
+  const res = await fetch(`${u.origin}${endpoint}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: `cid=${encodeURIComponent(u.searchParams.get('initialCid'))}`,
+  });
+  assert.strictEqual(res.status, 200);
+  return (await res.json()).cookie.split(';')[0];
+}
+
+test('UA codes are recognised as whole tokens', () => {
+  for (const code of Object.keys(MOCK_SCENARIOS)) assert.strictEqual(uaCode(UA(code)), code);
+  assert.strictEqual(uaCode(UA('')), null);
+});
+
+test('the mock plays the challenge sequence app.js expects for every UA code', () => {
+  assert.deepStrictEqual(MOCK_SCENARIOS, lib.DD_UA_EXPECTED);
+});
+
+test('default UA gets the page and a new datadome cookie on every response', async () => {
+  const first = await fetch(mock.siteUrl, { headers: { 'user-agent': UA(''), ...DOC } });
+  assert.strictEqual(first.status, 200);
+  assert.match(first.headers.get('set-cookie'), /^datadome=[\w-]+; Max-Age=\d+; Path=\/; SameSite=Lax$/);
+  assert.match(await first.text(), /Mock protected site/);
+  const second = await fetch(mock.siteUrl, { headers: { 'user-agent': UA(''), cookie: cookieOf(first), ...DOC } });
+  assert.strictEqual(second.status, 200);
+  assert.notStrictEqual(cookieOf(second), cookieOf(first));
+});
+
+test('blocked navigation: 403 page with dd={…} and the challenge iframe', async () => {
+  const expected = { BLOCKUA: ['captcha', 'fe'], HARDBLOCK: ['captcha', 'bv'], DeviceCheckTestUA: ['interstitial', 'fe'] };
+  for (const [code, [kind, t]] of Object.entries(expected)) {
+    const res = await fetch(mock.siteUrl, { headers: { 'user-agent': UA(code), ...DOC } });
+    assert.strictEqual(res.status, 403, code);
+    assert.strictEqual(res.headers.get('x-datadome'), 'protected');
+    const html = await res.text();
+    assert.match(html, new RegExp(`var dd=\\{'rt':'${kind === 'captcha' ? 'c' : 'i'}'.*'t':'${t}'`));
+    const url = new URL(challengeUrl(html));
+    assert.strictEqual(url.host, mock.challengeHost);
+    assert.ok(url.pathname.startsWith(`/${kind}/`), code);
+    assert.strictEqual(url.searchParams.get('t'), t);
+  }
+});
+
+test('blocked XHR: 403 JSON with the challenge url', async () => {
+  const res = await fetch(`${mock.siteUrl}api/ping`, { headers: { 'user-agent': UA('BLOCKUA'), ...XHR } });
+  assert.strictEqual(res.status, 403);
+  const body = await res.json();
+  assert.match(body.url, new RegExp(`^http://${mock.challengeHost}/captcha/\\?initialCid=`));
+});
+
+test('solved challenges move on to the next step of the sequence', async () => {
+  const headers = { 'user-agent': UA('DeviceCheckTestUA-BLOCKUA'), ...DOC };
+  const first = await fetch(mock.siteUrl, { headers });
+  const interstitial = challengeUrl(await first.text());
+  assert.match(interstitial, /\/interstitial\//);
+  const second = await fetch(mock.siteUrl, { headers: { ...headers, cookie: await solve(interstitial) } });
+  assert.strictEqual(second.status, 403);
+  const captcha = challengeUrl(await second.text());
+  assert.match(captcha, /\/captcha\/.*t=fe/);
+  const third = await fetch(mock.siteUrl, { headers: { ...headers, cookie: await solve(captcha) } });
+  assert.strictEqual(third.status, 200);
+});
+
+test('Block pages have nothing to solve', async () => {
+  const res = await fetch(mock.siteUrl, { headers: { 'user-agent': UA('HARDBLOCK'), ...DOC } });
+  const page = await fetch(challengeUrl(await res.text()));
+  const html = await page.text();
+  assert.match(html, /Blocked/);
+  assert.doesNotMatch(html, /postMessage/);
+});
+
+test('HARDBLOCK_UA only blocks cross-origin XHR', async () => {
+  const headers = { 'user-agent': UA('HARDBLOCK_UA') };
+  assert.strictEqual((await fetch(mock.siteUrl, { headers: { ...headers, ...DOC } })).status, 200);
+  assert.strictEqual((await fetch(`${mock.siteUrl}api/ping`, { headers: { ...headers, ...XHR } })).status, 200);
+  const cross = await fetch(`${mock.apiUrl}/api/data`, {
+    method: 'POST',
+    headers: { ...headers, ...XHR, origin: new URL(mock.siteUrl).origin },
+  });
+  assert.strictEqual(cross.status, 403);
+  assert.strictEqual(cross.headers.get('access-control-allow-origin'), new URL(mock.siteUrl).origin);
+  assert.match((await cross.json()).url, /t=bv/);
+});
+
+test('/redirect/ sends a Device Check to the interstitial page, which leads back to the site once solved', async () => {
+  const headers = { 'user-agent': UA('DeviceCheckTestUA'), ...DOC };
+  const blocked = await fetch(`${mock.siteUrl}redirect/`, { headers, redirect: 'manual' });
+  assert.strictEqual(blocked.status, 302);
+  assert.strictEqual(blocked.headers.get('x-datadome'), 'protected');
+  const interstitial = new URL(blocked.headers.get('location'));
+  assert.strictEqual(interstitial.host, mock.challengeHost);
+  assert.ok(interstitial.pathname.startsWith('/interstitial/'));
+  assert.strictEqual(interstitial.searchParams.get('referer'), `${mock.siteUrl}redirect/`);
+  const page = await (await fetch(interstitial)).text();
+  assert.match(page, /Device Check/);
+  assert.match(page, /dd_cookie=/, 'top-level pages return to the referer');
+  // The way back: the solved value comes as ?dd_cookie= (the challenge host cannot set the site's cookie)
+  const value = (await solve(interstitial.href)).slice('datadome='.length);
+  const back = await fetch(`${mock.siteUrl}redirect/?dd_cookie=${encodeURIComponent(value)}`, { headers, redirect: 'manual' });
+  assert.strictEqual(back.status, 200);
+  assert.match(await back.text(), /Mock protected site/);
+  // Other pages and codes keep the 403 page
+  assert.strictEqual((await fetch(mock.siteUrl, { headers, redirect: 'manual' })).status, 403);
+  assert.strictEqual((await fetch(`${mock.siteUrl}redirect/`, { headers: { ...headers, 'user-agent': UA('BLOCKUA') }, redirect: 'manual' })).status, 403);
+});